@@ -0,0 +1,48 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./helpers/load-module');
+
+// A document that records appended scripts; `run` plays the script's effect on window
+function createDocument(window, run) {
+  const scripts = [];
+  return {
+    scripts,
+    createElement: (tag) => ({ tag }),
+    head: {
+      appendChild(script) {
+        scripts.push(script);
+        setTimeout(() => {
+          run(window, script);
+          script.onload();
+        });
+      },
+    },
+    getElementById: () => null,
+    querySelector: () => null,
+    addEventListener() {},
+  };
+}
+
+test('loads the pinned Argon2 build with an SRI hash and ignores a window.argon2 set by others', async () => {
+  const planted = { planted: true };
+  const library = { library: true };
+  const window = { argon2: planted };
+  const document = createDocument(window, (target) => {
+    target.argon2 = library;
+  });
+  const { page } = loadModule({ globals: { window, document } });
+
+  const loaded = await page.loadArgon2();
+  assert.equal(loaded, library);
+  assert.equal(document.scripts.length, 1);
+  const [script] = document.scripts;
+  assert.match(script.src, /argon2-browser@1\.18\.0\/dist\/argon2-bundled\.min\.js$/);
+  assert.match(script.integrity, /^sha384-[A-Za-z0-9+/]{64}$/);
+  assert.equal(script.crossOrigin, 'anonymous');
+
+  // Loaded once per page
+  assert.equal(await page.loadArgon2(), library);
+  assert.equal(document.scripts.length, 1);
+});
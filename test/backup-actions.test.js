@@ -0,0 +1,58 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule, plain } = require('./helpers/load-module');
+const { createMemoryAdapter } = require('./helpers/memory-adapter');
+
+function setChats(page, chats) {
+  page.localStorage.setItem('chats', JSON.stringify(chats));
+}
+
+// A device with a snapshot of one chat in the bucket, and a different chat locally since
+async function loadWithSnapshot({ encrypt = false } = {}) {
+  const module = loadModule();
+  const adapter = createMemoryAdapter(module);
+  if (encrypt) {
+    Object.assign(module.config, { encryptionEnabled: true, encryptionKey: 'download key', pbkdf2Iterations: 100000 });
+  }
+  setChats(module.page, { c1: { id: 'c1', chatTitle: 'Kept' } });
+  await module.page.createSnapshot('before');
+  const key = [...adapter.objects.keys()].find((name) => name.startsWith('typingmind-snapshot-'));
+  setChats(module.page, { c2: { id: 'c2', chatTitle: 'Newer' } });
+  return { ...module, adapter, key };
+}
+
+test('restores a whole backup after taking a safety snapshot', async () => {
+  const { page, key } = await loadWithSnapshot();
+
+  await page.restoreBackup(key);
+
+  assert.deepEqual(Object.keys(plain(await page.getApplicationData()).chats), ['c1']);
+  const snapshot = await page.getSafetySnapshot();
+  assert.equal(snapshot.reason, 'restore from backup');
+  assert.deepEqual(Object.keys(plain(snapshot.data.chats)), ['c2']);
+});
+
+test('downloads a backup as stored, still encrypted, in a file that restores from file', async () => {
+  for (const encrypt of [false, true]) {
+    const { page, adapter, key } = await loadWithSnapshot({ encrypt });
+
+    const { fileName, blob } = await page.downloadBackupFile(key);
+    assert.equal(fileName, key);
+    const bytes = Buffer.from(await blob.arrayBuffer());
+    assert.deepEqual(bytes, Buffer.from(adapter.objects.get(key).data));
+    assert.equal(page.readEncryptionHeader(bytes.buffer) !== null, encrypt);
+
+    await page.restoreFromFile({ name: fileName, arrayBuffer: () => blob.arrayBuffer() });
+    assert.deepEqual(Object.keys(plain(await page.getApplicationData()).chats), ['c1']);
+  }
+});
+
+test('deletes backups and snapshots but no other objects', async () => {
+  const { page, adapter, key } = await loadWithSnapshot();
+
+  await page.deleteBackup(key);
+  assert.equal(adapter.objects.has(key), false);
+  await assert.rejects(page.deleteBackup('typingmind-metadata.json'), /Not a backup or snapshot/);
+});
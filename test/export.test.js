@@ -0,0 +1,85 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule, plain } = require('./helpers/load-module');
+const { createMemoryAdapter } = require('./helpers/memory-adapter');
+
+function loadWithChat() {
+  const module = loadModule();
+  module.page.localStorage.setItem('chats', JSON.stringify({
+    c1: { id: 'c1', chatTitle: 'Plans', messages: [{ role: 'user', content: 'private text' }] },
+  }));
+  return module;
+}
+
+test('uploads the export archive as is while encryption is off', async () => {
+  const module = loadWithChat();
+  const adapter = createMemoryAdapter(module);
+
+  const { fileName, blob } = await module.page.exportBackup(null, { upload: true });
+
+  const stored = adapter.objects.get(fileName);
+  assert.match(fileName, /\.zip$/);
+  assert.equal(stored.metadata.encrypted, 'false');
+  assert.deepEqual(Buffer.from(stored.data), Buffer.from(await blob.arrayBuffer()));
+});
+
+test('encrypts the uploaded export archive as .dat while encryption is on', async () => {
+  const module = loadWithChat();
+  const adapter = createMemoryAdapter(module);
+  Object.assign(module.config, { encryptionEnabled: true, encryptionKey: 'export key', pbkdf2Iterations: 100000 });
+
+  const { fileName, blob } = await module.page.exportBackup(null, { upload: true });
+
+  assert.equal(adapter.objects.has(fileName), false);
+  const datKey = fileName.replace(/\.zip$/, '.dat');
+  const stored = adapter.objects.get(datKey);
+  assert.equal(stored.metadata.encrypted, 'true');
+  assert.equal(Buffer.from(stored.data).includes('private text'), false);
+  assert.notEqual(module.page.readEncryptionHeader(stored.data), null);
+
+  // The downloaded archive stays a plain zip; the bucket copy decrypts to the same bytes
+  const zip = Buffer.from(await blob.arrayBuffer());
+  assert.equal(zip.readUInt32LE(0), 0x04034b50);
+  assert.deepEqual(Buffer.from(await module.page.decryptData(stored.data, 'export key')), zip);
+});
+
+test('lists uploaded exports and downloads them decrypted, also after a key rotation', async () => {
+  const module = loadWithChat();
+  createMemoryAdapter(module);
+  Object.assign(module.config, { encryptionEnabled: true, encryptionKey: 'export key', pbkdf2Iterations: 100000 });
+  const { page } = module;
+  const { fileName, blob } = await page.exportBackup(null, { upload: true });
+  const zip = Buffer.from(await blob.arrayBuffer());
+
+  const exports = await page.listExports();
+  assert.deepEqual(plain(exports.map((entry) => [entry.key, entry.fileName])), [[fileName.replace(/\.zip$/, '.dat'), fileName]]);
+
+  const downloaded = await page.downloadExport(exports[0].key);
+  assert.equal(downloaded.fileName, fileName);
+  assert.deepEqual(Buffer.from(await downloaded.blob.arrayBuffer()), zip);
+
+  const report = await page.rotateEncryptionKey('export key', 'rotated export key');
+  assert.ok(report.rotated.includes(exports[0].key));
+  assert.equal(module.config.encryptionKey, 'rotated export key');
+  assert.deepEqual(Buffer.from(await (await page.downloadExport(exports[0].key)).blob.arrayBuffer()), zip);
+  await assert.rejects(page.downloadExport('typingmind-metadata.json'), /Not an export/);
+});
+
+test('never names an archive entry "." or ".." or with a leading dot', async () => {
+  const { page } = loadModule();
+  assert.equal(page.toSafeFileName('.'), '_');
+  assert.equal(page.toSafeFileName('..'), '__');
+  assert.equal(page.toSafeFileName(' ../../etc'), '___.._etc');
+  assert.equal(page.toSafeFileName('.hidden notes'), '_hidden notes');
+  assert.equal(page.toSafeFileName('v1.2 notes.'), 'v1.2 notes.');
+
+  const blob = await page.createExportArchive({
+    chats: { '..': { chatTitle: '..', folderID: 'f' } },
+    folders: [{ id: 'f', title: '..' }],
+  });
+  const zip = Buffer.from(await blob.arrayBuffer());
+  const name = zip.subarray(30, 30 + zip.readUInt16LE(26)).toString();
+  assert.equal(name, '__/__ (__).md');
+});
@@ -0,0 +1,246 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { loadModule, plain } = require('./helpers/load-module');
+const { FakeGcsServer, createServiceAccountKeyPair } = require('./helpers/fake-gcs-server');
+
+const { privateKeyPem, publicKey } = createServiceAccountKeyPair();
+let server;
+
+before(async () => {
+  server = await new FakeGcsServer({ publicKey }).start();
+});
+
+after(() => server.stop());
+
+// Pass the storage of an earlier load as globals to simulate a reload of the page
+function loadWithGcs(globals = {}) {
+  const module = loadModule({ globals });
+  Object.assign(module.config, {
+    storageProvider: 'gcs',
+    bucketName: 'test-bucket',
+    gcsApiEndpoint: server.url,
+    gcsServiceAccountKey: server.serviceAccountKey(privateKeyPem),
+  });
+  return module;
+}
+
+test('uploads, lists, downloads and deletes objects with a service-account token', async () => {
+  const { page } = loadWithGcs();
+  const tokenRequests = server.tokenRequests;
+
+  const { version } = await page.uploadToGCS('typingmind-test/a.json', '{"a":1}', { note: 'first' });
+  assert.ok(version);
+
+  const downloaded = await page.downloadFromGCS('typingmind-test/a.json');
+  assert.equal(new TextDecoder().decode(downloaded.data), '{"a":1}');
+  assert.equal(downloaded.metadata.note, 'first');
+  assert.equal(downloaded.version, version);
+
+  const listed = await page.listGCSObjects('typingmind-test/');
+  assert.deepEqual(plain(listed.map((object) => object.Key)), ['typingmind-test/a.json']);
+  assert.equal((await page.headGCSObject('typingmind-test/a.json')).Size, 7);
+
+  await page.deleteFromGCS('typingmind-test/a.json');
+  assert.equal(await page.downloadFromGCS('typingmind-test/a.json'), null);
+
+  // One token exchange served every request
+  assert.equal(server.tokenRequests, tokenRequests + 1);
+  const objectRequests = server.requests.filter((request) => request.path !== '/token');
+  assert.ok(objectRequests.every((request) => /^Bearer token-\d+$/.test(request.headers.authorization)));
+});
+
+test('signs a JWT assertion the token endpoint can verify with the public key', async () => {
+  const { page, config } = loadWithGcs();
+  const serviceAccount = page.parseServiceAccountKey(config.gcsServiceAccountKey);
+  const [header, claims, signature] = (await page.createJwtAssertion(serviceAccount)).split('.');
+
+  assert.ok(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${claims}`), publicKey, Buffer.from(signature, 'base64url')));
+
+  assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { alg: 'RS256', typ: 'JWT' });
+  const payload = JSON.parse(Buffer.from(claims, 'base64url'));
+  assert.equal(payload.iss, 'backup@test-project.iam.gserviceaccount.com');
+  assert.equal(payload.aud, `${server.url}/token`);
+  assert.equal(payload.exp - payload.iat, 3600);
+});
+
+test('fetches a new token once when the cached one is rejected', async () => {
+  const { page } = loadWithGcs();
+  await page.uploadToGCS('typingmind-test/b.json', '{}');
+  const tokenRequests = server.tokenRequests;
+
+  server.revokeTokens();
+  const downloaded = await page.downloadFromGCS('typingmind-test/b.json');
+
+  assert.equal(new TextDecoder().decode(downloaded.data), '{}');
+  assert.equal(server.tokenRequests, tokenRequests + 1);
+});
+
+test('refuses a conditional upload when the object has moved on', async () => {
+  const { page } = loadWithGcs();
+  const { version } = await page.uploadToGCS('typingmind-test/c.json', '1');
+  await page.uploadToGCS('typingmind-test/c.json', '2', {}, { ifVersionMatch: version });
+
+  await assert.rejects(
+    page.uploadToGCS('typingmind-test/c.json', '3', {}, { ifVersionMatch: version }),
+    (error) => error.kind === 'precondition' && error.status === 412
+  );
+  await assert.rejects(
+    page.uploadToGCS('typingmind-test/c.json', '3', {}, { ifVersionMatch: '0' }),
+    (error) => error.kind === 'precondition'
+  );
+});
+
+test('pages through listings', async () => {
+  const { page } = loadWithGcs();
+  for (const name of ['p/1', 'p/2', 'p/3']) {
+    server.putObject(name, 'x');
+  }
+  const { objects, nextPageToken } = await page.listGCSObjectsPage('p/', { maxResults: 2 });
+  assert.equal(objects.length, 2);
+  assert.ok(nextPageToken);
+  const all = await page.listGCSObjects('p/', { maxResults: 2 });
+  assert.deepEqual(plain(all.map((object) => object.Key)), ['p/1', 'p/2', 'p/3']);
+});
+
+test('rejects a pasted key without a private key', () => {
+  const { page } = loadModule();
+  assert.throws(
+    () => page.parseServiceAccountKey(JSON.stringify({ client_email: 'a@b' })),
+    /missing client_email or private_key/
+  );
+  assert.throws(() => page.parseServiceAccountKey('/path/to/key.json'), /not valid JSON/);
+});
+
+test('retries what fetch itself rejects with, but not errors in the code around it', async () => {
+  const { page } = loadModule({ globals: { fetch: () => Promise.reject(new TypeError('Failed to fetch')) } });
+  await assert.rejects(page.fetchStorage('GCS GET /o', 'https://storage.example/o'), (error) =>
+    error.kind === 'transient' && /GCS GET \/o failed: Failed to fetch/.test(error.message)
+  );
+  assert.equal(page.toCloudStorageError(new TypeError('undefined is not a function'), 'Sync').kind, 'fatal');
+});
+
+// A stream of the given bytes in pieces the size of encrypted segments
+function segmentedStream(data) {
+  let offset = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= data.length) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(new Uint8Array(data.subarray(offset, offset + 65552)));
+      offset += 65552;
+    },
+  });
+}
+
+function chunkRanges(since) {
+  return server.requests
+    .slice(since)
+    .filter((request) => request.method === 'PUT')
+    .map((request) => request.headers['content-range']);
+}
+
+test('streams an upload through a resumable session in whole chunks', async () => {
+  const { page } = loadWithGcs();
+  const data = crypto.randomBytes(5 * 1024 * 1024 + 4321);
+  const before = server.requests.length;
+
+  const { version } = await page.uploadStreamToGCS('typingmind-test/stream.dat', segmentedStream(data), { encrypted: true });
+
+  const stored = server.objects.get('typingmind-test/stream.dat');
+  assert.equal(stored.resource.generation, version);
+  assert.equal(stored.resource.metadata.encrypted, 'true');
+  assert.ok(stored.data.equals(data));
+  assert.deepEqual(chunkRanges(before), [
+    `bytes 0-2097151/${data.length}`,
+    `bytes 2097152-4194303/${data.length}`,
+    `bytes 4194304-${data.length - 1}/${data.length}`,
+  ]);
+  assert.equal(await page.countSpooledChunks('typingmind-test/stream.dat'), 0);
+});
+
+test('uploads an empty stream', async () => {
+  const { page } = loadWithGcs();
+  await page.uploadStreamToGCS('typingmind-test/empty.json', segmentedStream(Buffer.alloc(0)));
+  assert.equal(server.objects.get('typingmind-test/empty.json').data.length, 0);
+});
+
+test('resumes an interrupted upload after a reload by replaying the spooled bytes', async () => {
+  const first = loadWithGcs();
+  const key = 'typingmind-test/resume.dat';
+  const original = crypto.randomBytes(5 * 1024 * 1024);
+
+  // The second chunk is refused for good, as if the page was closed mid-upload
+  let puts = 0;
+  const fault = (request) => (request.method === 'PUT' && ++puts === 2 ? 403 : null);
+  server.faults.push(fault);
+  await assert.rejects(first.page.uploadStreamToGCS(key, segmentedStream(original), {}, { resumeId: 'content-1' }));
+  server.faults.splice(server.faults.indexOf(fault), 1);
+  assert.equal(server.objects.has(key), false);
+
+  // After the reload the payload is serialized (and encrypted) again into other bytes
+  const { page } = loadWithGcs({ localStorage: first.page.localStorage, indexedDB: first.page.indexedDB });
+  const sessionsBefore = server.sessions.size;
+  const before = server.requests.length;
+  await page.uploadStreamToGCS(key, segmentedStream(crypto.randomBytes(original.length)), {}, { resumeId: 'content-1' });
+
+  assert.equal(server.sessions.size, sessionsBefore);
+  assert.ok(server.objects.get(key).data.equals(original));
+  assert.deepEqual(chunkRanges(before), [
+    `bytes */${original.length}`,
+    `bytes 2097152-4194303/${original.length}`,
+    `bytes 4194304-${original.length - 1}/${original.length}`,
+  ]);
+  assert.equal(await page.countSpooledChunks(key), 0);
+  assert.deepEqual(plain(page.getResumableSessions()), {});
+});
+
+test('starts over when the payload identity changed', async () => {
+  const { page } = loadWithGcs();
+  const key = 'typingmind-test/changed.dat';
+  let puts = 0;
+  const fault = (request) => (request.method === 'PUT' && ++puts === 2 ? 403 : null);
+  server.faults.push(fault);
+  await assert.rejects(page.uploadStreamToGCS(key, segmentedStream(crypto.randomBytes(3 * 1024 * 1024)), {}, { resumeId: 'a' }));
+  server.faults.splice(server.faults.indexOf(fault), 1);
+
+  const sessionsBefore = server.sessions.size;
+  const data = crypto.randomBytes(3 * 1024 * 1024);
+  await page.uploadStreamToGCS(key, segmentedStream(data), {}, { resumeId: 'b' });
+  assert.equal(server.sessions.size, sessionsBefore + 1);
+  assert.ok(server.objects.get(key).data.equals(data));
+});
+
+test('takes the sync mode from a ?syncMode= parameter and removes it from the address', () => {
+  const addresses = [];
+  const window = {
+    location: { search: '?syncMode=backup&tab=chats', pathname: '/app', hash: '#settings' },
+    history: { replaceState: (state, title, url) => addresses.push(url) },
+  };
+  const { page, config } = loadModule({ globals: { window } });
+  page.loadConfiguration();
+  assert.equal(config.syncMode, 'backup');
+  assert.deepEqual(addresses, ['/app?tab=chats#settings']);
+
+  window.location.search = '?syncMode=everything';
+  page.localStorage.removeItem('sync-mode');
+  page.loadConfiguration();
+  assert.equal(config.syncMode, 'disabled');
+  assert.equal(addresses.length, 1);
+});
+
+test('points a saved key file path from the old GCS module at the pasted key', () => {
+  const window = { location: { search: '', pathname: '/', hash: '' } };
+  const { page } = loadModule({ globals: { window } });
+  assert.equal(page.getLegacyKeyNotice(), null);
+
+  page.localStorage.setItem('gcs-key-filename', '/home/me/key.json');
+  page.loadConfiguration();
+  assert.match(page.getLegacyKeyNotice(), /"\/home\/me\/key\.json" is no longer used.*Service Account Key \(JSON\)/);
+  // Kept until the settings modal has shown the notice
+  assert.equal(page.localStorage.getItem('gcs-key-filename'), '/home/me/key.json');
+});
@@ -0,0 +1,288 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+// CRC32C as GCS reports it: base64 of the big-endian value
+const CRC32C_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0x82f63b78 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32c(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC32C_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  crc = (crc ^ 0xffffffff) >>> 0;
+  return Buffer.from([crc >>> 24, (crc >>> 16) & 0xff, (crc >>> 8) & 0xff, crc & 0xff]).toString('base64');
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+// Split a multipart/related body into its parts' bodies
+function parseMultipart(body, contentType) {
+  const boundary = contentType.match(/boundary=([^;]+)/)[1];
+  const text = body.toString('latin1');
+  return text
+    .split(`--${boundary}`)
+    .slice(1, -1)
+    .map((part) => Buffer.from(part.slice(part.indexOf('\r\n\r\n') + 4, -2), 'latin1'));
+}
+
+// A minimal GCS JSON API server: multipart and resumable uploads, downloads, listing,
+// deletes, generation preconditions and the service-account token exchange.
+// With a publicKey, tokens are only issued for JWTs it verifies and every other request
+// needs one of those tokens.
+class FakeGcsServer {
+  constructor({ publicKey = null } = {}) {
+    this.publicKey = publicKey;
+    this.objects = new Map(); // name -> { resource, data }
+    this.sessions = new Map(); // id -> { resource, preconditions, parts, size }
+    this.tokens = new Set();
+    this.tokenRequests = 0;
+    this.requests = [];
+    this.generation = 1;
+    this.faults = []; // Functions (request, url) returning a status to fail with, or null
+    this.server = http.createServer((request, response) => {
+      this.handle(request, response).catch((error) => {
+        response.writeHead(500);
+        response.end(String(error.stack || error));
+      });
+    });
+  }
+
+  async start() {
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  stop() {
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+
+  // The key JSON a user would paste, with token_uri pointing at this server
+  serviceAccountKey(privateKeyPem) {
+    return JSON.stringify({
+      type: 'service_account',
+      client_email: 'backup@test-project.iam.gserviceaccount.com',
+      private_key: privateKeyPem,
+      token_uri: `${this.url}/token`,
+    });
+  }
+
+  revokeTokens() {
+    this.tokens.clear();
+  }
+
+  putObject(name, data, metadata = {}) {
+    const bytes = Buffer.from(data);
+    const resource = {
+      name,
+      size: String(bytes.length),
+      generation: String(this.generation++),
+      updated: new Date().toISOString(),
+      crc32c: crc32c(bytes),
+      metadata,
+    };
+    this.objects.set(name, { resource, data: bytes });
+    return resource;
+  }
+
+  send(response, status, body = null, headers = {}) {
+    const payload = body === null ? '' : Buffer.isBuffer(body) ? body : JSON.stringify(body);
+    response.writeHead(status, headers);
+    response.end(payload);
+  }
+
+  checkPreconditions(name, query) {
+    const match = query.get('ifGenerationMatch');
+    if (match === null) {
+      return true;
+    }
+    const current = this.objects.get(name);
+    return match === (current ? current.resource.generation : '0');
+  }
+
+  storeUpload(resource, data, preconditions) {
+    if (!this.checkPreconditions(resource.name, preconditions)) {
+      return { status: 412 };
+    }
+    if (resource.crc32c && resource.crc32c !== crc32c(data)) {
+      return { status: 400 };
+    }
+    const { contentType, metadata = {} } = resource;
+    const stored = this.putObject(resource.name, data, metadata);
+    stored.contentType = contentType;
+    return { status: 200, resource: stored };
+  }
+
+  async handle(request, response) {
+    const url = new URL(request.url, this.url);
+    const body = await readBody(request);
+    this.requests.push({ method: request.method, path: url.pathname, query: url.searchParams, headers: request.headers });
+
+    for (const fault of this.faults) {
+      const status = fault(request, url);
+      if (status) {
+        return this.send(response, status);
+      }
+    }
+
+    if (url.pathname === '/token') {
+      return this.handleToken(response, new URLSearchParams(body.toString()));
+    }
+    // As on GCS, a resumable session URI is its own authorization
+    const session = url.pathname.match(/^\/upload\/session\/(\d+)$/);
+    if (session) {
+      return this.handleChunk(request, response, session[1], body);
+    }
+    if (this.publicKey && !this.tokens.has((request.headers.authorization || '').replace(/^Bearer /, ''))) {
+      return this.send(response, 401, { error: 'invalid token' });
+    }
+    if (request.method === 'POST' && /^\/upload\/storage\/v1\/b\/[^/]+\/o$/.test(url.pathname)) {
+      return this.handleUpload(request, response, url, body);
+    }
+
+    const objectPath = url.pathname.match(/^\/storage\/v1\/b\/[^/]+\/o(?:\/(.+))?$/);
+    if (!objectPath) {
+      return this.send(response, 404);
+    }
+    if (!objectPath[1]) {
+      return this.handleList(response, url.searchParams);
+    }
+
+    const name = decodeURIComponent(objectPath[1]);
+    const object = this.objects.get(name);
+    if (request.method === 'DELETE') {
+      this.objects.delete(name);
+      return this.send(response, object ? 204 : 404);
+    }
+    if (!object) {
+      return this.send(response, 404, { error: 'not found' });
+    }
+    const generation = url.searchParams.get('generation');
+    if (generation && generation !== object.resource.generation) {
+      return this.send(response, 404, { error: 'generation not found' });
+    }
+    if (url.searchParams.get('alt') === 'media') {
+      return this.send(response, 200, object.data, { 'content-type': 'application/octet-stream' });
+    }
+    return this.send(response, 200, object.resource);
+  }
+
+  handleToken(response, form) {
+    this.tokenRequests++;
+    const [header, claims, signature] = (form.get('assertion') || '').split('.');
+    if (this.publicKey) {
+      const verified = crypto.verify(
+        'RSA-SHA256',
+        Buffer.from(`${header}.${claims}`),
+        this.publicKey,
+        Buffer.from(signature || '', 'base64url')
+      );
+      const payload = JSON.parse(Buffer.from(claims, 'base64url').toString());
+      if (!verified || payload.aud !== `${this.url}/token` || payload.exp <= Date.now() / 1000) {
+        return this.send(response, 400, { error: 'invalid_grant' });
+      }
+    }
+    const token = `token-${this.tokenRequests}`;
+    this.tokens.add(token);
+    return this.send(response, 200, { access_token: token, expires_in: 3600, token_type: 'Bearer' });
+  }
+
+  handleUpload(request, response, url, body) {
+    const uploadType = url.searchParams.get('uploadType');
+    if (uploadType === 'multipart') {
+      const [resourceJson, data] = parseMultipart(body, request.headers['content-type']);
+      const result = this.storeUpload(JSON.parse(resourceJson.toString()), data, url.searchParams);
+      return this.send(response, result.status, result.resource || null);
+    }
+    if (uploadType === 'resumable') {
+      const id = String(this.sessions.size);
+      this.sessions.set(id, {
+        resource: { ...JSON.parse(body.toString()), name: url.searchParams.get('name') },
+        preconditions: url.searchParams,
+        parts: [],
+        size: 0,
+      });
+      return this.send(response, 200, null, { location: `${this.url}/upload/session/${id}` });
+    }
+    return this.send(response, 400);
+  }
+
+  // One PUT to a resumable session: "bytes a-b/total", "bytes a-b/*" or "bytes */total"
+  handleChunk(request, response, id, body) {
+    const session = this.sessions.get(id);
+    if (!session || session.done) {
+      return this.send(response, session ? 200 : 404, session ? session.done : null);
+    }
+    const range = request.headers['content-range'] || '';
+    let total;
+    const chunk = range.match(/^bytes (\d+)-(\d+)\/(\d+|\*)$/);
+    if (chunk) {
+      if (Number(chunk[1]) !== session.size) {
+        return this.send(response, 400, { error: `expected offset ${session.size}` });
+      }
+      session.parts.push(body);
+      session.size += body.length;
+      total = chunk[3];
+    } else {
+      total = (range.match(/^bytes \*\/(\d+|\*)$/) || [])[1];
+    }
+
+    if (total !== '*' && Number(total) === session.size) {
+      const data = Buffer.concat(session.parts);
+      const hash = request.headers['x-goog-hash'];
+      if (hash && hash !== `crc32c=${crc32c(data)}`) {
+        return this.send(response, 400, { error: 'crc32c mismatch' });
+      }
+      const result = this.storeUpload(session.resource, data, session.preconditions);
+      session.done = result.resource;
+      return this.send(response, result.status, result.resource || null);
+    }
+    const headers = session.size ? { range: `bytes=0-${session.size - 1}` } : {};
+    return this.send(response, 308, null, headers);
+  }
+
+  handleList(response, query) {
+    const prefix = query.get('prefix') || '';
+    const startOffset = query.get('startOffset') || '';
+    const maxResults = Number(query.get('maxResults')) || 1000;
+    const names = [...this.objects.keys()]
+      .filter((name) => name.startsWith(prefix) && name >= startOffset)
+      .sort();
+    const start = Number(query.get('pageToken')) || 0;
+    const page = names.slice(start, start + maxResults);
+    return this.send(response, 200, {
+      items: page.map((name) => this.objects.get(name).resource),
+      nextPageToken: start + maxResults < names.length ? String(start + maxResults) : undefined,
+    });
+  }
+}
+
+// An RSA key pair like a service account's: PKCS#8 PEM private key, PEM public key
+function createServiceAccountKeyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey,
+  };
+}
+
+module.exports = { FakeGcsServer, createServiceAccountKeyPair, crc32c };
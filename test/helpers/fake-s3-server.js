@@ -0,0 +1,315 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const ACCESS_KEY_ID = 'AKIDTESTBACKUP';
+const SECRET_ACCESS_KEY = 'test-secret-access-key';
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// URI encoding as SigV4 defines it: everything but unreserved characters
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Recompute the Signature Version 4 of a request, independently of the module's signer
+function verifySignature(request, rawPath, rawQuery, body) {
+  const match = (request.headers.authorization || '').match(
+    /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+  );
+  if (!match) {
+    return 'malformed authorization';
+  }
+  const [, accessKeyId, dateStamp, region, signedHeaders, signature] = match;
+  if (accessKeyId !== ACCESS_KEY_ID) {
+    return 'unknown access key';
+  }
+  const payloadHash = request.headers['x-amz-content-sha256'];
+  if (payloadHash !== sha256(body).toString('hex')) {
+    return 'x-amz-content-sha256 does not match the body';
+  }
+  const names = signedHeaders.split(';');
+  if (!names.includes('host') || !names.includes('x-amz-date')) {
+    return 'host and x-amz-date must be signed';
+  }
+
+  const canonicalQuery = rawQuery
+    .split('&')
+    .filter(Boolean)
+    .map((pair) => pair.split('=').map((part) => uriEncode(decodeURIComponent(part || ''))))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value = '']) => `${name}=${value}`)
+    .join('&');
+  const canonicalRequest = [
+    request.method,
+    rawPath,
+    canonicalQuery,
+    names.map((name) => `${name}:${String(request.headers[name] || '').trim()}\n`).join(''),
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    request.headers['x-amz-date'],
+    scope,
+    sha256(canonicalRequest).toString('hex'),
+  ].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${SECRET_ACCESS_KEY}`, dateStamp), region)
+  );
+  return hmac(signingKey, stringToSign).toString('hex') === signature ? null : 'signature mismatch';
+}
+
+// A minimal path-style S3 server: signed requests only, single and multipart uploads with
+// If-Match / If-None-Match, user metadata, SHA-256 checksums, downloads, ListObjectsV2
+// and deletes.
+class FakeS3Server {
+  constructor() {
+    this.objects = new Map(); // key -> { data, etag, metadata, checksum, lastModified }
+    this.uploads = new Map(); // uploadId -> { key, metadata, parts }
+    this.aborted = [];
+    this.requests = [];
+    this.nextUploadId = 1;
+    this.faults = []; // Functions (request, url) returning a status to fail with, or null
+    this.server = http.createServer((request, response) => {
+      this.handle(request, response).catch((error) => {
+        response.writeHead(500);
+        response.end(String(error.stack || error));
+      });
+    });
+  }
+
+  async start() {
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  stop() {
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+
+  // The settings a user would enter for this server
+  credentials() {
+    return { s3Endpoint: this.url, s3AccessKeyId: ACCESS_KEY_ID, s3SecretAccessKey: SECRET_ACCESS_KEY };
+  }
+
+  putObject(key, data, metadata = {}, checksum = null) {
+    const bytes = Buffer.from(data);
+    const object = {
+      data: bytes,
+      etag: `"${crypto.createHash('md5').update(bytes).digest('hex')}"`,
+      metadata,
+      checksum,
+      lastModified: new Date(),
+    };
+    this.objects.set(key, object);
+    return object;
+  }
+
+  send(response, status, body = null, headers = {}) {
+    response.writeHead(status, headers);
+    response.end(body === null ? '' : body);
+  }
+
+  sendError(response, status, code) {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`;
+    return this.send(response, status, xml, { 'content-type': 'application/xml' });
+  }
+
+  objectHeaders(object) {
+    const headers = {
+      etag: object.etag,
+      'last-modified': object.lastModified.toUTCString(),
+      'content-type': 'application/octet-stream',
+    };
+    for (const [name, value] of Object.entries(object.metadata)) {
+      headers[`x-amz-meta-${name}`] = value;
+    }
+    return headers;
+  }
+
+  checkPreconditions(key, headers) {
+    const current = this.objects.get(key);
+    if (headers['if-none-match'] === '*' && current) {
+      return false;
+    }
+    return !headers['if-match'] || (current && headers['if-match'] === current.etag);
+  }
+
+  async handle(request, response) {
+    const [rawPath, rawQuery = ''] = request.url.split('?');
+    const url = new URL(request.url, this.url);
+    const body = await readBody(request);
+    this.requests.push({ method: request.method, path: url.pathname, query: url.searchParams, headers: request.headers, body });
+
+    for (const fault of this.faults) {
+      const status = fault(request, url);
+      if (status) {
+        return this.sendError(response, status, 'InjectedFault');
+      }
+    }
+
+    const signatureError = verifySignature(request, rawPath, rawQuery, body);
+    if (signatureError) {
+      return this.sendError(response, 403, 'SignatureDoesNotMatch');
+    }
+
+    const [, , ...keyParts] = rawPath.split('/');
+    const key = keyParts.map(decodeURIComponent).join('/');
+    const query = url.searchParams;
+    if (!key) {
+      return request.method === 'GET' && query.get('list-type') === '2' ?
+        this.handleList(response, query) :
+        this.sendError(response, 400, 'InvalidRequest');
+    }
+
+    if (query.has('uploads') && request.method === 'POST') {
+      return this.handleCreateMultipart(request, response, key);
+    }
+    if (query.has('uploadId')) {
+      return this.handleMultipart(request, response, key, query, body);
+    }
+
+    const object = this.objects.get(key);
+    switch (request.method) {
+      case 'PUT':
+        return this.handlePut(request, response, key, body);
+      case 'GET':
+        return object ?
+          this.send(response, 200, object.data, this.objectHeaders(object)) :
+          this.sendError(response, 404, 'NoSuchKey');
+      case 'HEAD':
+        return object ?
+          this.send(response, 200, null, { ...this.objectHeaders(object), 'content-length': object.data.length }) :
+          this.send(response, 404);
+      case 'DELETE':
+        this.objects.delete(key);
+        return this.send(response, 204);
+      default:
+        return this.sendError(response, 405, 'MethodNotAllowed');
+    }
+  }
+
+  userMetadata(headers) {
+    return Object.fromEntries(
+      Object.entries(headers)
+        .filter(([name]) => name.startsWith('x-amz-meta-'))
+        .map(([name, value]) => [name.slice('x-amz-meta-'.length), value])
+    );
+  }
+
+  handlePut(request, response, key, body) {
+    if (!this.checkPreconditions(key, request.headers)) {
+      return this.sendError(response, 412, 'PreconditionFailed');
+    }
+    const checksum = request.headers['x-amz-checksum-sha256'] || null;
+    if (checksum && checksum !== sha256(body).toString('base64')) {
+      return this.sendError(response, 400, 'BadDigest');
+    }
+    const object = this.putObject(key, body, this.userMetadata(request.headers), checksum);
+    const headers = { etag: object.etag };
+    if (checksum) {
+      headers['x-amz-checksum-sha256'] = checksum;
+    }
+    return this.send(response, 200, null, headers);
+  }
+
+  handleCreateMultipart(request, response, key) {
+    const uploadId = `upload-${this.nextUploadId++}`;
+    this.uploads.set(uploadId, { key, metadata: this.userMetadata(request.headers), parts: new Map() });
+    return this.send(
+      response,
+      200,
+      `<?xml version="1.0" encoding="UTF-8"?><InitiateMultipartUploadResult><Bucket>bucket</Bucket><Key>${escapeXml(key)}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`,
+      { 'content-type': 'application/xml' }
+    );
+  }
+
+  // Upload a part, complete the upload or abort it
+  handleMultipart(request, response, key, query, body) {
+    const uploadId = query.get('uploadId');
+    const upload = this.uploads.get(uploadId);
+    if (!upload || upload.key !== key) {
+      return this.sendError(response, 404, 'NoSuchUpload');
+    }
+    if (request.method === 'DELETE') {
+      this.uploads.delete(uploadId);
+      this.aborted.push(uploadId);
+      return this.send(response, 204);
+    }
+    if (request.method === 'PUT') {
+      const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+      upload.parts.set(Number(query.get('partNumber')), { data: body, etag });
+      return this.send(response, 200, null, { etag });
+    }
+    if (request.method !== 'POST') {
+      return this.sendError(response, 405, 'MethodNotAllowed');
+    }
+
+    const listed = [...body.toString().matchAll(/<Part><PartNumber>(\d+)<\/PartNumber><ETag>([^<]+)<\/ETag><\/Part>/g)];
+    const parts = listed.map(([, number, etag]) => {
+      const part = upload.parts.get(Number(number));
+      return part && part.etag === etag ? part : null;
+    });
+    if (parts.length === 0 || parts.includes(null)) {
+      return this.sendError(response, 400, 'InvalidPart');
+    }
+    if (!this.checkPreconditions(key, request.headers)) {
+      return this.sendError(response, 412, 'PreconditionFailed');
+    }
+    this.uploads.delete(uploadId);
+    const object = this.putObject(key, Buffer.concat(parts.map((part) => part.data)), upload.metadata);
+    return this.send(
+      response,
+      200,
+      `<?xml version="1.0" encoding="UTF-8"?><CompleteMultipartUploadResult><Key>${escapeXml(key)}</Key><ETag>${escapeXml(object.etag)}</ETag></CompleteMultipartUploadResult>`,
+      { 'content-type': 'application/xml' }
+    );
+  }
+
+  handleList(response, query) {
+    const prefix = query.get('prefix') || '';
+    const startAfter = query.get('start-after') || '';
+    const maxKeys = Number(query.get('max-keys')) || 1000;
+    const keys = [...this.objects.keys()]
+      .filter((key) => key.startsWith(prefix) && key > startAfter)
+      .sort();
+    const start = Number(query.get('continuation-token')) || 0;
+    const page = keys.slice(start, start + maxKeys);
+    const truncated = start + maxKeys < keys.length;
+    const contents = page.map((key) => {
+      const object = this.objects.get(key);
+      return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified>` +
+        `<ETag>${escapeXml(object.etag)}</ETag><Size>${object.data.length}</Size></Contents>`;
+    });
+    return this.send(
+      response,
+      200,
+      `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Prefix>${escapeXml(prefix)}</Prefix>` +
+        `<KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>` +
+        (truncated ? `<NextContinuationToken>${start + maxKeys}</NextContinuationToken>` : '') +
+        `${contents.join('')}</ListBucketResult>`,
+      { 'content-type': 'application/xml' }
+    );
+  }
+}
+
+module.exports = { FakeS3Server };
@@ -0,0 +1,82 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const SOURCE_PATH = path.join(__dirname, '..', '..', 'typingmind_cloud_backup.js');
+const SOURCE = fs.readFileSync(SOURCE_PATH, 'utf8');
+
+// In-memory localStorage with the Storage methods the module uses
+function createLocalStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear(),
+    key: (index) => [...items.keys()][index] ?? null,
+    get length() {
+      return items.size;
+    },
+  };
+}
+
+// The module logs every error to the console; keep test output readable
+const quietConsole = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+// Load typingmind_cloud_backup.js into a fresh page-like context with its own
+// localStorage and fake IndexedDB. Top-level functions are properties of `page`;
+// `run` evaluates code in the module scope (for const/let bindings such as config).
+function loadModule({ globals = {} } = {}) {
+  const page = {
+    console: quietConsole,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    Blob,
+    Response,
+    Headers,
+    fetch: (...args) => fetch(...args),
+    CompressionStream,
+    DecompressionStream,
+    TransformStream,
+    ReadableStream,
+    WritableStream,
+    EventTarget,
+    Event,
+    CustomEvent,
+    structuredClone,
+    btoa,
+    atob,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    localStorage: createLocalStorage(),
+    indexedDB: new IDBFactory(),
+    IDBKeyRange,
+    window: {},
+    document: {
+      getElementById: () => null,
+      querySelector: () => null,
+      addEventListener() {},
+    },
+    ...globals,
+  };
+  vm.createContext(page);
+  vm.runInContext(SOURCE, page, { filename: SOURCE_PATH });
+
+  const run = (code) => vm.runInContext(code, page);
+  return { page, run, config: run('config') };
+}
+
+// Objects created inside the module belong to another realm; compare them as JSON
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadModule, plain };
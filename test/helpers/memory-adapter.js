@@ -0,0 +1,81 @@
+'use strict';
+
+// An in-memory storage adapter with the contract of the GCS and S3 adapters: numeric
+// versions, conditional puts and page-less listings. `failPut(key)` may throw to make a
+// put fail; `writes` records every put and delete in order. Pass the `objects` of
+// another adapter to give several devices one bucket.
+let generation = 1;
+
+function createMemoryAdapter(module, { failPut = null, objects = new Map() } = {}) {
+  const { run } = module;
+  const CloudStorageError = run('CloudStorageError');
+  const writes = [];
+
+  const toObject = (key) => {
+    const object = objects.get(key);
+    return { Key: key, Size: object.data.byteLength, LastModified: object.updated, metadata: object.metadata, version: object.version };
+  };
+
+  const adapter = {
+    name: 'memory',
+    isConfigured: () => true,
+    objects,
+    writes,
+    async put(key, data, metadata = {}, { ifVersionMatch = null } = {}) {
+      if (failPut) {
+        failPut(key);
+      }
+      const current = objects.get(key);
+      if (ifVersionMatch !== null && String(ifVersionMatch) !== (current ? current.version : '0')) {
+        throw new CloudStorageError(`Precondition failed for ${key}`, { kind: 'precondition', status: 412 });
+      }
+      const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+      const version = String(generation++);
+      objects.set(key, {
+        data: bytes.slice().buffer,
+        metadata: Object.fromEntries(Object.entries(metadata).map(([name, value]) => [name, String(value)])),
+        version,
+        updated: new Date().toISOString(),
+      });
+      writes.push({ op: 'put', key });
+      return { key, version };
+    },
+    async putStream(key, stream, metadata, options) {
+      return adapter.put(key, await new Response(stream).arrayBuffer(), metadata, options);
+    },
+    async get(key) {
+      const object = objects.get(key);
+      return object ? { data: object.data.slice(0), metadata: { ...object.metadata }, version: object.version } : null;
+    },
+    async getStream(key) {
+      const result = await adapter.get(key);
+      return result && { stream: new Response(result.data).body, metadata: result.metadata, version: result.version };
+    },
+    async head(key) {
+      return objects.has(key) ? toObject(key) : null;
+    },
+    async listPage(prefix = '', { startOffset = null } = {}) {
+      const keys = [...objects.keys()].filter((key) => key.startsWith(prefix) && (!startOffset || key >= startOffset)).sort();
+      return { objects: keys.map(toObject), nextPageToken: null };
+    },
+    async list(prefix, options) {
+      return (await adapter.listPage(prefix, options)).objects;
+    },
+    async *iterate(prefix, options) {
+      yield* (await adapter.listPage(prefix, options)).objects;
+    },
+    async delete(key) {
+      objects.delete(key);
+      writes.push({ op: 'delete', key });
+      return true;
+    },
+  };
+
+  // Route the configured provider to this adapter
+  module.page.__memoryAdapter = adapter;
+  run("storageAdapterFactories.memory = () => __memoryAdapter; storageAdapter = null;");
+  Object.assign(module.config, { storageProvider: 'memory', bucketName: 'test-bucket' });
+  return adapter;
+}
+
+module.exports = { createMemoryAdapter };
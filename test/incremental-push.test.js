@@ -0,0 +1,110 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule, plain } = require('./helpers/load-module');
+const { createMemoryAdapter } = require('./helpers/memory-adapter');
+
+const MANIFEST_KEY = 'typingmind-sync/manifest.json';
+
+function appData(chats) {
+  return { chats, settings: { theme: 'dark' }, favorites: [], folders: [] };
+}
+
+function readManifest(adapter) {
+  return JSON.parse(Buffer.from(adapter.objects.get(MANIFEST_KEY).data).toString());
+}
+
+test('names chat and state objects by content hash', async () => {
+  const module = loadModule();
+  const adapter = createMemoryAdapter(module);
+  const manifest = plain(await module.page.pushIncremental(appData({ a: { id: 'a', updatedAt: 1 } })));
+
+  assert.match(manifest.chats.a.key, new RegExp(`^typingmind-sync/chats/a/${manifest.chats.a.hash}\\.json\\.gz$`));
+  assert.match(manifest.state.key, new RegExp(`^typingmind-sync/state/${manifest.state.hash}\\.json\\.gz$`));
+  assert.ok(adapter.objects.has(manifest.chats.a.key));
+  assert.deepEqual(readManifest(adapter), manifest);
+});
+
+test('writes new objects before the manifest and deletes replaced ones only after it', async () => {
+  const module = loadModule();
+  const adapter = createMemoryAdapter(module);
+  const first = plain(await module.page.pushIncremental(appData({ a: { id: 'a', v: 1 }, b: { id: 'b' } })));
+  adapter.writes.length = 0;
+
+  const second = plain(await module.page.pushIncremental(appData({ a: { id: 'a', v: 2 } })));
+
+  assert.notEqual(second.chats.a.key, first.chats.a.key);
+  const manifestWrite = adapter.writes.findIndex(({ key }) => key === MANIFEST_KEY);
+  assert.deepEqual(adapter.writes.slice(0, manifestWrite), [{ op: 'put', key: second.chats.a.key }]);
+  assert.deepEqual(
+    adapter.writes.slice(manifestWrite + 1).map(({ op, key }) => `${op} ${key}`).sort(),
+    [`delete ${first.chats.a.key}`, `delete ${first.chats.b.key}`].sort()
+  );
+  assert.ok(!adapter.objects.has(first.chats.a.key));
+});
+
+test('leaves every object of the current manifest in place when the manifest write loses a race', async () => {
+  const module = loadModule();
+  const adapter = createMemoryAdapter(module);
+  const { page } = module;
+  await page.pushIncremental(appData({ a: { id: 'a', v: 1 } }));
+  const stale = await page.getSyncManifest();
+
+  // Another device pushes its edit first
+  const current = plain(await page.pushIncremental(appData({ a: { id: 'a', v: 2 } })));
+
+  await assert.rejects(page.pushIncremental(appData({ a: { id: 'a', v: 3 } }), stale), (error) => error.kind === 'precondition');
+  assert.deepEqual(readManifest(adapter), current);
+  assert.ok(adapter.objects.has(current.chats.a.key));
+  assert.deepEqual(plain(await page.downloadSyncObject(current.chats.a.key)), { id: 'a', v: 2 });
+});
+
+test('dates a tombstone from when the deletion was noticed, not from the push', async () => {
+  const module = loadModule();
+  createMemoryAdapter(module);
+  const { page, run } = module;
+  await page.pushIncremental(appData({ a: { id: 'a' }, b: { id: 'b' } }));
+
+  run('Date.now = () => 1700000000000');
+  assert.deepEqual(plain(await page.detectLocalDeletions(['a'])), { b: 1700000000000 });
+  run('Date.now = () => 1700000600000');
+  assert.deepEqual(plain(await page.detectLocalDeletions(['a'])), { b: 1700000000000 });
+
+  const manifest = plain(await page.pushIncremental(appData({ a: { id: 'a' } })));
+  assert.equal(manifest.tombstones.b.deletedAt, 1700000000000);
+  // Once pushed, the deletion is no longer pending
+  assert.deepEqual(plain(await page.detectLocalDeletions(['a'])), {});
+});
+
+test('finds local chats from the keys of the chat store', async () => {
+  const { page } = loadModule();
+  page.localStorage.setItem('chats', JSON.stringify({ legacy: {} }));
+  const open = page.indexedDB.open('keyval-store', 1);
+  open.onupgradeneeded = () => open.result.createObjectStore('keyval');
+  const db = await new Promise((resolve) => { open.onsuccess = () => resolve(open.result); });
+  const transaction = db.transaction('keyval', 'readwrite');
+  transaction.objectStore('keyval').put({ id: 'c1' }, 'CHAT_c1');
+  transaction.objectStore('keyval').put('gpt-4o', 'TM_useModel');
+  await new Promise((resolve) => { transaction.oncomplete = resolve; });
+  db.close();
+
+  assert.deepEqual(plain(await page.listLocalChatIds()), ['legacy', 'c1']);
+});
+
+test('keeps chats another device added that this device has not pulled yet', async () => {
+  const deviceB = loadModule();
+  const bucket = createMemoryAdapter(deviceB);
+  await deviceB.page.pushIncremental(appData({ b: { id: 'b' } }));
+
+  const deviceA = loadModule();
+  createMemoryAdapter(deviceA, { objects: bucket.objects });
+  const added = plain(await deviceA.page.pushIncremental(appData({ a: { id: 'a' }, b: { id: 'b' } })));
+
+  // A forced push (or a backup-mode sync) from B, which never pulled chat a
+  const manifest = plain(await deviceB.page.pushIncremental(appData({ b: { id: 'b' } })));
+  assert.deepEqual(manifest.chats.a, added.chats.a);
+  assert.deepEqual(manifest.tombstones, {});
+  assert.ok(bucket.objects.has(added.chats.a.key));
+  assert.deepEqual(plain(await deviceB.page.detectLocalDeletions(['b'])), {});
+});
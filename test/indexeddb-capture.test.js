@@ -0,0 +1,122 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule, plain } = require('./helpers/load-module');
+const { createMemoryAdapter } = require('./helpers/memory-adapter');
+
+function request(idbRequest) {
+  return new Promise((resolve, reject) => {
+    idbRequest.onsuccess = () => resolve(idbRequest.result);
+    idbRequest.onerror = () => reject(idbRequest.error);
+  });
+}
+
+// TypingMind's keyval store plus two stores the extension was never told about,
+// one of them with in-line keys and one with numeric and date keys
+async function createTypingMindDatabase(indexedDB) {
+  const open = indexedDB.open('keyval-store', 1);
+  open.onupgradeneeded = () => {
+    open.result.createObjectStore('keyval');
+    open.result.createObjectStore('attachments');
+    open.result.createObjectStore('agents', { keyPath: 'id' });
+  };
+  const db = await request(open);
+  const transaction = db.transaction(['keyval', 'attachments', 'agents'], 'readwrite');
+  transaction.objectStore('keyval').put({ id: 'c1', chatTitle: 'Hello', updatedAt: '2024-01-01T00:00:00.000Z' }, 'CHAT_c1');
+  transaction.objectStore('keyval').put(['gpt-4o'], 'TM_useModels');
+  transaction.objectStore('attachments').put(new Uint8Array([1, 2, 3]), 'file-1');
+  transaction.objectStore('attachments').put('by number', 42);
+  transaction.objectStore('attachments').put('by date', new Date('2024-03-03T00:00:00Z'));
+  transaction.objectStore('agents').put({ id: 'agent-1', name: 'Reviewer', createdAt: new Date('2024-02-02T00:00:00Z') });
+  await new Promise((resolve) => { transaction.oncomplete = resolve; });
+  return db;
+}
+
+async function readStore(db, store) {
+  const objectStore = db.transaction(store, 'readonly').objectStore(store);
+  const [keys, values] = await Promise.all([request(objectStore.getAllKeys()), request(objectStore.getAll())]);
+  return keys.map((key, index) => [key, values[index]]);
+}
+
+test('captures every object store of the TypingMind database', async () => {
+  const { page } = loadModule();
+  const db = await createTypingMindDatabase(page.indexedDB);
+  db.close();
+
+  const data = plain(await page.collectIndexedDBData());
+  assert.deepEqual(Object.keys(data), ['keyval-store']);
+  assert.deepEqual(Object.keys(data['keyval-store']).sort(), ['agents', 'attachments', 'keyval']);
+  // Records are [key, value] pairs in key order: numbers, then dates, then strings
+  assert.deepEqual(data['keyval-store'].attachments, [
+    [42, 'by number'],
+    [{ __tmType: 'date', iso: '2024-03-03T00:00:00.000Z' }, 'by date'],
+    ['file-1', { __tmType: 'bytes', base64: 'AQID', view: 'Uint8Array' }],
+  ]);
+  assert.deepEqual(data['keyval-store'].agents, [['agent-1', {
+    id: 'agent-1',
+    name: 'Reviewer',
+    createdAt: { __tmType: 'date', iso: '2024-02-02T00:00:00.000Z' },
+  }]]);
+});
+
+test('leaves the extension\'s own database out of backups', async () => {
+  const { page } = loadModule();
+  (await createTypingMindDatabase(page.indexedDB)).close();
+  await page.createSafetySnapshot('test');
+  const data = plain(await page.getApplicationData());
+  assert.deepEqual(Object.keys(data.indexedDB), ['keyval-store']);
+});
+
+test('round-trips every store through a backup and restore', async () => {
+  const { page } = loadModule();
+  const db = await createTypingMindDatabase(page.indexedDB);
+  const before = {};
+  for (const store of ['keyval', 'attachments', 'agents']) {
+    before[store] = await readStore(db, store);
+  }
+
+  const backup = JSON.parse(JSON.stringify(await page.getApplicationData()));
+  assert.deepEqual(Object.keys(backup.chats), ['c1']);
+
+  // Change every store, then restore the backup over it
+  const transaction = db.transaction(['keyval', 'attachments', 'agents'], 'readwrite');
+  transaction.objectStore('keyval').delete('CHAT_c1');
+  transaction.objectStore('keyval').put({ id: 'c2' }, 'CHAT_c2');
+  transaction.objectStore('attachments').clear();
+  transaction.objectStore('agents').put({ id: 'agent-2', name: 'New' });
+  await new Promise((resolve) => { transaction.oncomplete = resolve; });
+  db.close();
+
+  await page.restoreApplicationData(backup);
+
+  const reopened = await request(page.indexedDB.open('keyval-store'));
+  for (const store of ['keyval', 'attachments', 'agents']) {
+    assert.deepEqual(await readStore(reopened, store), before[store], store);
+  }
+  reopened.close();
+});
+
+test('reads stores from sync state and safety snapshots written before records were pairs', async () => {
+  const module = loadModule();
+  const { page } = module;
+  createMemoryAdapter(module);
+  const db = await createTypingMindDatabase(page.indexedDB);
+  db.close();
+  const stores = { 'keyval-store': { keyval: { TM_useModels: ['gpt-5'] } } };
+
+  const key = 'typingmind-sync/state/old.json';
+  const { uploadData, metadata } = await page.encodeSyncPayload({ settings: {}, indexedDB: stores });
+  await page.getStorageAdapter().put(key, uploadData, metadata);
+  assert.deepEqual(plain((await page.downloadSyncState(key)).indexedDB), {
+    'keyval-store': { keyval: [['TM_useModels', ['gpt-5']]] },
+  });
+
+  const snapshot = { data: { chats: {}, indexedDB: stores }, timestamp: 1, reason: 'an update' };
+  await page.withSafetyStore('readwrite', (store) => store.put(snapshot, 'before-last-restore'));
+  await page.undoLastRestore();
+
+  const reopened = await request(page.indexedDB.open('keyval-store'));
+  assert.deepEqual(await readStore(reopened, 'keyval'), [['TM_useModels', ['gpt-5']]]);
+  reopened.close();
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule, plain } = require('./helpers/load-module');
+
+// Fast PBKDF2 keeps the passphrase and recovery recipients cheap in tests
+function loadWithEncryption() {
+  const module = loadModule();
+  Object.assign(module.config, { encryptionKey: 'team passphrase', pbkdf2Iterations: 100000 });
+  return module;
+}
+
+function readHeader(page, buffer) {
+  return plain(page.readEncryptionHeader(buffer));
+}
+
+test('wraps the data key for the admin public key, which only the private key unwraps', async () => {
+  const { page, config } = loadWithEncryption();
+  const { publicKey, privateKey } = await page.generateAdminKeyPair();
+  assert.match(publicKey, /^-----BEGIN PUBLIC KEY-----\n/);
+  config.adminPublicKey = publicKey;
+
+  const encrypted = await page.encryptData('secret notes', config.encryptionKey, { recipients: page.getKeyRecipients() });
+  const admin = readHeader(page, encrypted).recipients.find((recipient) => recipient.type === 'admin');
+  assert.equal(admin.keyWrapping, 'RSA-OAEP-256');
+  assert.match(admin.keyId, /^[0-9a-f]{16}$/);
+  assert.equal(admin.salt, undefined);
+
+  const decode = async (password) => new TextDecoder().decode(await page.decryptData(encrypted, password));
+  assert.equal(await decode(privateKey), 'secret notes');
+  // Pasted into a single-line field the PEM loses its line breaks
+  assert.equal(await decode(privateKey.replace(/\n/g, '')), 'secret notes');
+  assert.equal(await decode('team passphrase'), 'secret notes');
+  await assert.rejects(decode(publicKey), /Invalid password or corrupted data/);
+
+  const other = await page.generateAdminKeyPair();
+  await assert.rejects(decode(other.privateKey), /Invalid password or corrupted data/);
+});
+
+test('streams are wrapped for the admin public key too', async () => {
+  const { page, config } = loadWithEncryption();
+  const { publicKey, privateKey } = await page.generateAdminKeyPair();
+  config.adminPublicKey = publicKey;
+  const { stream } = await page.encodeSyncPayloadStream({ schemaVersion: 2, data: { chats: {} } }, { encrypt: true });
+  const decoded = await page.decodeSyncPayloadStream(
+    { stream, metadata: { encrypted: 'true', compression: 'gzip' } },
+    'typingmind-backup-x.dat',
+    { encryptionKey: privateKey }
+  );
+  assert.deepEqual(plain(decoded), { schemaVersion: 2, data: { chats: {} } });
+});
+
+test('keeps only the public key in settings and drops the old shared admin secret', () => {
+  const { page, config } = loadWithEncryption();
+  page.localStorage.setItem('admin-key', 'old shared secret');
+  config.adminPublicKey = '-----BEGIN PUBLIC KEY-----\nAAAA\n-----END PUBLIC KEY-----';
+  page.saveConfiguration();
+  assert.equal(page.localStorage.getItem('admin-key'), null);
+  assert.equal(page.localStorage.getItem('admin-public-key'), config.adminPublicKey);
+});
+
+test('refuses keys that are not RSA public keys of at least 2048 bits', async () => {
+  const { page } = loadModule();
+  await assert.rejects(page.importAdminPublicKey('a shared secret'), /PEM block/);
+  const small = await crypto.subtle.generateKey(
+    { name: 'RSA-OAEP', modulusLength: 1024, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true,
+    ['encrypt', 'decrypt']
+  );
+  const pem = page.toPem(await crypto.subtle.exportKey('spki', small.publicKey), 'PUBLIC KEY');
+  await assert.rejects(page.importAdminPublicKey(pem), /at least 2048 bits/);
+});
+
+test('still decrypts backups wrapped for a legacy shared admin secret', async () => {
+  const { page, config } = loadWithEncryption();
+  const encrypted = await page.encryptData('old backup', config.encryptionKey, {
+    recipients: [{ type: 'admin', secret: 'old shared secret' }],
+  });
+  assert.equal(new TextDecoder().decode(await page.decryptData(encrypted, 'old shared secret')), 'old backup');
+});
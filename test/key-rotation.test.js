@@ -0,0 +1,127 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule, plain } = require('./helpers/load-module');
+const { createMemoryAdapter } = require('./helpers/memory-adapter');
+
+const OLD_KEY = 'old rotation key';
+const NEW_KEY = 'new rotation key';
+
+function setChats(page, chats) {
+  page.localStorage.setItem('chats', JSON.stringify(chats));
+}
+
+// A device with two encrypted snapshots and encrypted incremental sync objects. Puts of
+// keys in `failing` throw, as if the upload broke off.
+async function loadWithEncryptedObjects() {
+  const failing = new Set();
+  const module = loadModule();
+  const adapter = createMemoryAdapter(module, {
+    failPut: (key) => {
+      if (failing.has(key)) {
+        throw new Error(`Upload of ${key} interrupted`);
+      }
+    },
+  });
+  Object.assign(module.config, { encryptionEnabled: true, encryptionKey: OLD_KEY, pbkdf2Iterations: 100000 });
+  const { page } = module;
+
+  setChats(page, { c1: { id: 'c1', chatTitle: 'First' } });
+  await page.createSnapshot('first');
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  setChats(page, { c2: { id: 'c2', chatTitle: 'Second' } });
+  await page.createSnapshot('second');
+  await page.pushIncremental({ chats: { c2: { id: 'c2', chatTitle: 'Second' } }, settings: {}, favorites: [], folders: [] });
+
+  const keys = [...adapter.objects.keys()];
+  const snapshots = keys.filter((key) => key.startsWith('typingmind-snapshot-')).sort();
+  const syncObjects = keys.filter((key) => key.startsWith('typingmind-sync/') && key.endsWith('.dat'));
+  assert.equal(snapshots.length, 2);
+  assert.ok(syncObjects.length > 0);
+  return { ...module, adapter, failing, snapshots, syncObjects };
+}
+
+async function decode(page, adapter, key, encryptionKey) {
+  return page.decodeSyncPayloadStream(await adapter.getStream(key), key, { encryptionKey });
+}
+
+test('re-encrypts snapshots as streams in the segmented format and sync objects whole', async () => {
+  const { page, config, adapter, snapshots, syncObjects } = await loadWithEncryptedObjects();
+  const decodeSyncPayload = page.decodeSyncPayload;
+  const wholeReads = [];
+  page.decodeSyncPayload = (result, key, options) => {
+    wholeReads.push(key);
+    return decodeSyncPayload(result, key, options);
+  };
+
+  const report = plain(await page.rotateEncryptionKey(OLD_KEY, NEW_KEY));
+
+  assert.deepEqual(report.rotated.sort(), [...snapshots, ...syncObjects].sort());
+  assert.deepEqual(report.skipped, []);
+  assert.deepEqual(report.failed, []);
+  assert.deepEqual([...new Set(wholeReads)].sort(), [...syncObjects].sort());
+  for (const key of snapshots) {
+    assert.equal(page.readEncryptionHeader(adapter.objects.get(key).data).version, 4);
+    assert.ok((await decode(page, adapter, key, NEW_KEY)).data.chats);
+    await assert.rejects(decode(page, adapter, key, OLD_KEY));
+  }
+  for (const key of syncObjects) {
+    assert.ok(await decode(page, adapter, key, NEW_KEY));
+  }
+  assert.deepEqual(Object.keys(plain((await decode(page, adapter, snapshots[0], NEW_KEY)).data.chats)), ['c1']);
+  assert.equal(config.encryptionKey, NEW_KEY);
+  assert.equal(page.localStorage.getItem('key-rotation-progress'), null);
+});
+
+test('reports objects it cannot rotate and leaves them and the configured key unchanged', async () => {
+  const { page, config, adapter, snapshots } = await loadWithEncryptedObjects();
+  const object = adapter.objects.get(snapshots[1]);
+  const bytes = new Uint8Array(object.data);
+  bytes[bytes.length - 20] ^= 0xff;
+  const { version } = object;
+
+  const report = plain(await page.rotateEncryptionKey(OLD_KEY, NEW_KEY));
+
+  assert.deepEqual(report.failed.map((failure) => failure.key), [snapshots[1]]);
+  assert.match(report.failed[0].error, /Invalid password or corrupted data/);
+  assert.ok(report.rotated.includes(snapshots[0]));
+  assert.equal(adapter.objects.get(snapshots[1]).version, version);
+  assert.equal(config.encryptionKey, OLD_KEY);
+  const progress = JSON.parse(page.localStorage.getItem('key-rotation-progress'));
+  assert.ok(progress.done.includes(snapshots[0]));
+  assert.ok(!progress.done.includes(snapshots[1]));
+});
+
+test('resumes an interrupted rotation with only the objects it did not finish', async () => {
+  const { page, config, adapter, failing, snapshots } = await loadWithEncryptedObjects();
+  failing.add(snapshots[1]);
+  const first = plain(await page.rotateEncryptionKey(OLD_KEY, NEW_KEY));
+  assert.deepEqual(first.failed.map((failure) => failure.key), [snapshots[1]]);
+  assert.match(first.failed[0].error, /interrupted/);
+  assert.equal(config.encryptionKey, OLD_KEY);
+  assert.ok((await decode(page, adapter, snapshots[1], OLD_KEY)).data);
+
+  failing.clear();
+  const second = plain(await page.rotateEncryptionKey(OLD_KEY, NEW_KEY));
+
+  assert.deepEqual(second, { rotated: [snapshots[1]], skipped: [], failed: [] });
+  assert.ok((await decode(page, adapter, snapshots[1], NEW_KEY)).data);
+  assert.equal(config.encryptionKey, NEW_KEY);
+  assert.equal(page.localStorage.getItem('key-rotation-progress'), null);
+});
+
+test('skips objects already encrypted with the new key', async () => {
+  const { page, adapter, snapshots, syncObjects } = await loadWithEncryptedObjects();
+  // Rotated by a run that stopped before it could record its progress
+  assert.equal(await page.rotateObjectKey(snapshots[0], OLD_KEY, NEW_KEY), 'rotated');
+  assert.equal(await page.rotateObjectKey(syncObjects[0], OLD_KEY, NEW_KEY), 'rotated');
+  const { version } = adapter.objects.get(snapshots[0]);
+
+  const report = plain(await page.rotateEncryptionKey(OLD_KEY, NEW_KEY));
+
+  assert.deepEqual(report.skipped.sort(), [snapshots[0], syncObjects[0]].sort());
+  assert.ok(report.rotated.includes(snapshots[1]));
+  assert.deepEqual(report.failed, []);
+  assert.equal(adapter.objects.get(snapshots[0]).version, version);
+});
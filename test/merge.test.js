@@ -0,0 +1,35 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadModule, plain } = require('./helpers/load-module');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'merge');
+
+// Every fixture holds the base, local and cloud manifests of one sync (and optional
+// tombstones) with the side each chat is taken from and the conflicts reported
+const fixtures = fs.readdirSync(FIXTURES)
+  .filter((name) => name.endsWith('.json'))
+  .map((name) => ({ name: name.slice(0, -'.json'.length), ...JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8')) }));
+
+const { page } = loadModule();
+
+for (const fixture of fixtures) {
+  test(`merges the ${fixture.name} fixture`, () => {
+    const merged = page.mergeChatManifests(fixture.base, fixture.local, fixture.cloud, fixture.tombstones);
+    assert.deepEqual(plain(merged), fixture.expected, fixture.description);
+  });
+}
+
+test('interleaves messages added on both devices and takes the other fields from the newer chat', () => {
+  const base = [{ uuid: '1', content: 'hi' }, { uuid: '2', content: 'hello' }];
+  const local = { id: 'a', title: 'Local title', updatedAt: 100, messages: [...base, { uuid: 'l', content: 'from laptop' }] };
+  const cloud = { id: 'a', title: 'Cloud title', updatedAt: 200, messages: [base[0], { uuid: 'c', content: 'from phone' }, base[1]] };
+
+  const merged = page.mergeChatVersions(local, cloud);
+  assert.equal(merged.title, 'Cloud title');
+  assert.deepEqual(plain(merged.messages.map((message) => message.uuid)), ['1', 'c', '2', 'l']);
+  assert.ok(merged.updatedAt > 200);
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadModule, plain } = require('./helpers/load-module');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'payloads');
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+// Every <name>.json payload, as some earlier version wrote it, has the migrated
+// <name>.expected.json next to it
+const fixtureNames = fs.readdirSync(FIXTURES)
+  .filter((name) => name.endsWith('.json') && !name.endsWith('.expected.json'))
+  .map((name) => name.slice(0, -'.json'.length));
+
+const { page, run } = loadModule();
+
+for (const name of fixtureNames) {
+  test(`migrates the ${name} fixture to the current schema`, () => {
+    const migrated = page.migrateBackupPayload(JSON.parse(readFixture(`${name}.json`)));
+    assert.deepEqual(plain(migrated), JSON.parse(readFixture(`${name}.expected.json`)));
+  });
+}
+
+test('covers every schema version this code can read', () => {
+  const versions = fixtureNames.map((name) => page.getPayloadSchemaVersion(JSON.parse(readFixture(`${name}.json`))));
+  const current = run('PAYLOAD_SCHEMA_VERSION');
+  for (let version = 1; version <= current; version++) {
+    assert.ok(versions.includes(version), `no fixture for schema version ${version}`);
+  }
+});
+
+test('reads the record-per-line serialization of a payload into the same result', async () => {
+  const payload = await page.parsePayloadStream(new Response(readFixture('v2.records.ndjson')).body);
+  assert.deepEqual(plain(page.migrateBackupPayload(payload)), JSON.parse(readFixture('v2.expected.json')));
+});
+
+test('refuses payloads from a newer schema and payloads that do not validate', () => {
+  assert.throws(() => page.migrateBackupPayload({ schemaVersion: 99, data: { chats: {} } }), /newer version/);
+  assert.throws(() => page.migrateBackupPayload({ schemaVersion: 2, data: { chats: [] } }), /chats must be an object/);
+  assert.throws(() => page.migrateBackupPayload({ data: { chats: {}, folders: [{ title: 'no id' }] } }), /every folder needs an id/);
+  assert.throws(() => page.migrateBackupPayload(null), /not an object/);
+});
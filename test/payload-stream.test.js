@@ -0,0 +1,177 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { loadModule, plain } = require('./helpers/load-module');
+
+function samplePayload() {
+  return {
+    schemaVersion: 2,
+    timestamp: 1700000000000,
+    data: {
+      chats: {
+        a: { id: 'a', title: 'First', messages: [{ role: 'user', content: 'line one\nline two' }] },
+        b: { id: 'b', title: 'Zweite – ünïcödé 🚀', messages: [] },
+      },
+      settings: { theme: 'dark' },
+      favorites: ['a'],
+      folders: [{ id: 'f1', title: 'Work' }],
+      localStorage: { TM_useModel: 'gpt' },
+      indexedDB: {
+        'keyval-store': { keyval: { other: 1 } },
+        'second-db': { one: { x: 'y' }, two: {} },
+      },
+      timestamp: 1700000000000,
+    },
+  };
+}
+
+async function collect(stream) {
+  return Buffer.from(await new Response(stream).arrayBuffer());
+}
+
+test('serializes a payload as one record per section, chat and store', async () => {
+  const { page } = loadModule();
+  const lines = (await collect(page.createPayloadRecordStream(samplePayload()))).toString().trimEnd().split('\n');
+  const records = lines.map((line) => JSON.parse(line));
+
+  assert.ok(lines[0].startsWith('{"payloadFormat":"records"'));
+  assert.deepEqual(records[0], {
+    payloadFormat: 'records',
+    schemaVersion: 2,
+    timestamp: 1700000000000,
+    hasData: true,
+    recordsChecksum: 'crc32c',
+  });
+  const paths = records.slice(1, -1).map((record) => record.path.join('/'));
+  assert.deepEqual(paths, [
+    'settings', 'favorites', 'folders', 'localStorage', 'timestamp',
+    'chats', 'chats/a', 'chats/b',
+    'indexedDB', 'indexedDB/keyval-store', 'indexedDB/keyval-store/keyval',
+    'indexedDB/second-db', 'indexedDB/second-db/one', 'indexedDB/second-db/two',
+  ]);
+  const body = Buffer.from(lines.slice(0, -1).map((line) => `${line}\n`).join(''));
+  assert.deepEqual(records[records.length - 1], { recordsChecksum: page.crc32cBase64(new Uint8Array(body)) });
+});
+
+test('refuses a corrupted or truncated records stream', async () => {
+  // Without compression nothing but the records checksum covers an unencrypted stream
+  const { page } = loadModule({ globals: { CompressionStream: undefined } });
+  const { stream, metadata } = await page.encodeSyncPayloadStream(samplePayload(), { encrypt: false });
+  assert.equal(metadata.compression, 'none');
+  const bytes = await collect(stream);
+  const decode = (data) => page.decodeSyncPayloadStream(
+    { stream: new Response(data).body, metadata: plain(metadata) },
+    'typingmind-backup-x.json'
+  );
+  assert.deepEqual(plain(await decode(bytes)), samplePayload());
+
+  const corrupted = Buffer.from(bytes);
+  corrupted[corrupted.indexOf('First')] = 'f'.charCodeAt(0);
+  await assert.rejects(decode(corrupted), (error) =>
+    error.kind === 'integrity' && /Checksum mismatch for typingmind-backup-x.json/.test(error.message)
+  );
+
+  const truncated = bytes.subarray(0, bytes.lastIndexOf('{"recordsChecksum"'));
+  await assert.rejects(decode(truncated), (error) => error.kind === 'integrity' && /ends before its checksum/.test(error.message));
+  const cut = bytes.subarray(0, bytes.indexOf('"chats","b"'));
+  await assert.rejects(decode(cut), (error) => error.kind === 'integrity');
+});
+
+test('round-trips a payload through the stream codec, plain and encrypted', async () => {
+  const { page, config } = loadModule();
+  for (const encrypt of [false, true]) {
+    config.encryptionKey = 'stream codec key';
+    const { stream, metadata } = await page.encodeSyncPayloadStream(samplePayload(), { encrypt });
+    const key = encrypt ? 'typingmind-backup-x.dat' : 'typingmind-backup-x.json.gz';
+    const decoded = await page.decodeSyncPayloadStream({ stream, metadata: plain(metadata) }, key);
+    assert.deepEqual(plain(decoded), samplePayload());
+  }
+});
+
+test('parses records split across arbitrary chunk boundaries', async () => {
+  const { page } = loadModule();
+  const bytes = await collect(page.createPayloadRecordStream(samplePayload()));
+  for (const size of [1, 3, 7, 64]) {
+    let offset = 0;
+    const stream = new ReadableStream({
+      pull(controller) {
+        if (offset >= bytes.length) {
+          controller.close();
+        } else {
+          controller.enqueue(new Uint8Array(bytes.subarray(offset, offset + size)));
+          offset += size;
+        }
+      },
+    });
+    assert.deepEqual(plain(await page.parsePayloadStream(stream)), samplePayload());
+  }
+});
+
+test('still reads payloads written as a single JSON document', async () => {
+  const { page } = loadModule();
+  const legacy = zlib.gzipSync(JSON.stringify(samplePayload()));
+  const decoded = await page.decodeSyncPayloadStream(
+    { stream: new Response(legacy).body, metadata: { encrypted: 'false', compression: 'gzip' } },
+    'typingmind-backup-old.json.gz'
+  );
+  assert.deepEqual(plain(decoded), samplePayload());
+  assert.deepEqual(plain(await page.parsePayloadStream(new Response('{"a":1}').body)), { a: 1 });
+});
+
+test('decodes streamed payloads read whole, as key rotation and file restores do', async () => {
+  const { page } = loadModule();
+  const { stream, metadata } = await page.encodeSyncPayloadStream(samplePayload(), { encrypt: true, encryptionKey: 'whole' });
+  const data = (await collect(stream)).buffer;
+  const decoded = await page.decodeSyncPayload({ data, metadata: plain(metadata) }, 'typingmind-backup-x.dat', { encryptionKey: 'whole' });
+  assert.deepEqual(plain(decoded), samplePayload());
+  await assert.rejects(
+    page.decodeSyncPayload({ data, metadata: plain(metadata) }, 'typingmind-backup-x.dat', { encryptionKey: 'wrong' }),
+    /Invalid password or corrupted data/
+  );
+});
+
+test('keeps a chat ID of __proto__ as an ordinary key', async () => {
+  const { page } = loadModule();
+  const lines = [
+    '{"payloadFormat":"records","schemaVersion":2,"hasData":true}',
+    '{"path":["chats"],"value":{}}',
+    '{"path":["chats","__proto__"],"value":{"polluted":true}}',
+  ];
+  const decoded = await page.parsePayloadStream(new Response(lines.join('\n')).body);
+  assert.deepEqual(Object.keys(decoded.data.chats), ['__proto__']);
+  assert.equal(decoded.data.chats.polluted, undefined);
+  assert.equal({}.polluted, undefined);
+});
+
+test('rejects a record that comes before its parent', async () => {
+  const { page } = loadModule();
+  const lines = [
+    '{"payloadFormat":"records","schemaVersion":2,"hasData":true}',
+    '{"path":["chats","a"],"value":{}}',
+  ];
+  await assert.rejects(page.parsePayloadStream(new Response(lines.join('\n')).body), /comes before its parent/);
+});
+
+test('identifies a streamed payload for resuming without serializing the whole dataset', async () => {
+  const { page } = loadModule();
+  const lengths = [];
+  const stableStringify = page.stableStringify;
+  page.stableStringify = (value) => {
+    const json = stableStringify(value);
+    lengths.push(json.length);
+    return json;
+  };
+
+  const { resumeId } = await page.encodeSyncPayloadStream(samplePayload(), { encrypt: false });
+  // Each chat and the rest of the data are serialized on their own, never all of it
+  assert.ok(lengths.length > 0);
+  assert.ok(Math.max(...lengths) < JSON.stringify(samplePayload().data).length);
+
+  const later = { ...samplePayload(), timestamp: 1800000000000, data: { ...samplePayload().data, timestamp: 1800000000000 } };
+  assert.equal((await page.encodeSyncPayloadStream(later, { encrypt: false })).resumeId, resumeId);
+  const edited = samplePayload();
+  edited.data.chats.a.title = 'Edited';
+  assert.notEqual((await page.encodeSyncPayloadStream(edited, { encrypt: false })).resumeId, resumeId);
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule, plain } = require('./helpers/load-module');
+const { createMemoryAdapter } = require('./helpers/memory-adapter');
+
+function appData(chats) {
+  return { chats, settings: { theme: 'dark' }, favorites: [], folders: [] };
+}
+
+// A second device, with no local chats, syncing with a bucket that holds one pushed
+// by the first
+async function setUpCloudChat() {
+  const first = loadModule();
+  const firstAdapter = createMemoryAdapter(first);
+  const manifest = plain(await first.page.pushIncremental(appData({ a: { id: 'a', updatedAt: 1 } })));
+  const module = loadModule();
+  const adapter = createMemoryAdapter(module);
+  for (const [key, object] of firstAdapter.objects) {
+    adapter.objects.set(key, object);
+  }
+  return { ...module, adapter, manifest };
+}
+
+test('takes no safety snapshot when a pull fails before anything is restored', async () => {
+  const { page, adapter, manifest } = await setUpCloudChat();
+  adapter.objects.delete(manifest.chats.a.key);
+
+  await assert.rejects(page.pullFromCloud(), /Sync object missing from cloud/);
+  assert.equal(await page.getSafetySnapshot(), null);
+});
+
+test('takes a safety snapshot of local data right before a pull restores', async () => {
+  const { page } = await setUpCloudChat();
+  await page.pullFromCloud();
+  assert.equal((await page.getSafetySnapshot()).reason, 'pull from cloud');
+});
+
+test('takes a safety snapshot before a merge restores chats from the cloud', async () => {
+  const { page } = await setUpCloudChat();
+  assert.equal(await page.mergeWithCloud(await page.getSyncManifest()), true);
+
+  const snapshot = await page.getSafetySnapshot();
+  assert.equal(snapshot.reason, 'merge with cloud');
+  assert.deepEqual(plain(snapshot.data.chats), {});
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./helpers/load-module');
+
+const { page } = loadModule();
+const SEGMENT_SIZE = 64 * 1024;
+const SEALED_SIZE = SEGMENT_SIZE + 16;
+
+function patterned(length) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    bytes[i] = (i * 31 + 7) & 0xff;
+  }
+  return bytes;
+}
+
+// Feed bytes through a stream in uneven pieces, like a network body would arrive
+function chunkedStream(bytes, pieceSize = 10007) {
+  let offset = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= bytes.length) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(bytes.slice(offset, offset + pieceSize));
+      offset += pieceSize;
+    },
+  });
+}
+
+async function encrypt(plaintext, password = 'correct horse') {
+  const stream = chunkedStream(plaintext).pipeThrough(page.createEncryptionStream(password));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function decrypt(ciphertext, password = 'correct horse') {
+  const stream = await page.decryptStream(chunkedStream(ciphertext), password);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Split encrypted output into its length-prefixed header and sealed segments
+function splitSegments(ciphertext) {
+  const headerLength = new DataView(ciphertext.buffer, ciphertext.byteOffset).getUint32(0, true);
+  const header = ciphertext.slice(0, 4 + headerLength);
+  const segments = [];
+  for (let offset = header.length; offset < ciphertext.length; offset += SEALED_SIZE) {
+    segments.push(ciphertext.slice(offset, offset + SEALED_SIZE));
+  }
+  return { header, headerBytes: header.slice(4), segments };
+}
+
+function join(...parts) {
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+test('round-trips a payload spanning several segments', async () => {
+  const plaintext = patterned(3 * SEGMENT_SIZE + 12345);
+  const ciphertext = await encrypt(plaintext);
+  assert.equal(splitSegments(ciphertext).segments.length, 4);
+  assert.deepEqual(await decrypt(ciphertext), plaintext);
+});
+
+test('round-trips an empty payload as a single empty final segment', async () => {
+  const ciphertext = await encrypt(new Uint8Array(0));
+  const { segments } = splitSegments(ciphertext);
+  assert.equal(segments.length, 1);
+  assert.equal(segments[0].length, 16);
+  assert.deepEqual(await decrypt(ciphertext), new Uint8Array(0));
+});
+
+test('keeps a payload of exactly one segment in one final segment', async () => {
+  const plaintext = patterned(SEGMENT_SIZE);
+  const ciphertext = await encrypt(plaintext);
+  const { segments } = splitSegments(ciphertext);
+  assert.equal(segments.length, 1);
+  assert.equal(segments[0].length, SEALED_SIZE);
+  assert.deepEqual(await decrypt(ciphertext), plaintext);
+});
+
+test('rejects a stream truncated at a segment boundary', async () => {
+  const { header, segments } = splitSegments(await encrypt(patterned(2 * SEGMENT_SIZE + 1)));
+  await assert.rejects(decrypt(join(header, segments[0], segments[1])), /corrupted data/);
+  await assert.rejects(decrypt(join(header, segments[0])), /corrupted data/);
+  await assert.rejects(decrypt(header), /corrupted data/);
+});
+
+test('rejects a stream truncated inside a segment', async () => {
+  const ciphertext = await encrypt(patterned(SEGMENT_SIZE + 100));
+  await assert.rejects(decrypt(ciphertext.slice(0, ciphertext.length - 1)), /corrupted data/);
+});
+
+test('rejects reordered segments', async () => {
+  const { header, segments } = splitSegments(await encrypt(patterned(3 * SEGMENT_SIZE + 1)));
+  await assert.rejects(decrypt(join(header, segments[1], segments[0], segments[2], segments[3])), /corrupted data/);
+});
+
+test('rejects a header that was changed after encryption', async () => {
+  const ciphertext = await encrypt(patterned(100));
+  const { header, segments } = splitSegments(ciphertext);
+  const tampered = JSON.parse(Buffer.from(header.slice(4)).toString());
+  tampered.timestamp += 1;
+  const tamperedBytes = Buffer.from(JSON.stringify(tampered));
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(tamperedBytes.length);
+  await assert.rejects(decrypt(join(length, tamperedBytes, ...segments)), /corrupted data/);
+});
+
+// Seal segments with chosen final flags under a known key and decrypt them with
+// createSegmentDecryptionStream, which checks the flags
+async function decryptSealed(flags) {
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const noncePrefix = crypto.getRandomValues(new Uint8Array(7));
+  const header = { segmentSize: SEGMENT_SIZE, noncePrefix: Buffer.from(noncePrefix).toString('base64') };
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const sealed = [];
+  for (const [counter, isFinal] of flags.entries()) {
+    const segment = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: page.getSegmentNonce(noncePrefix, counter, isFinal), additionalData: headerBytes, tagLength: 128 },
+      key,
+      patterned(SEGMENT_SIZE)
+    );
+    sealed.push(new Uint8Array(segment));
+  }
+  const stream = chunkedStream(join(...sealed)).pipeThrough(page.createSegmentDecryptionStream(key, header, headerBytes));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+test('accepts segments whose final flag is set only on the last one', async () => {
+  assert.equal((await decryptSealed([false, true])).length, 2 * SEGMENT_SIZE);
+});
+
+test('rejects a last segment without the final flag', async () => {
+  await assert.rejects(decryptSealed([false, false]), /corrupted data/);
+});
+
+test('rejects a final flag on a segment that is not last', async () => {
+  await assert.rejects(decryptSealed([true, true]), /corrupted data/);
+});